@@ -0,0 +1,141 @@
+// Ohr Shalom Donation Kiosk - Holiday, fast, Rosh Chodesh and Omer events from the hebcal Shabbat API
+// Sorts hebcal items into Shabbat/Yom Tov time spans, holidays, fasts, Rosh Chodesh and the Omer for the home screen
+class CalendarEvents {
+    static WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+    static dateOf(item) {
+        return String(item.date || '').slice(0, 10)
+    }
+
+    static weekday(dateKey) {
+        return new Date(`${dateKey}T12:00:00Z`).getUTCDay()
+    }
+
+    static addDays(dateKey, days) {
+        const date = new Date(`${dateKey}T12:00:00Z`)
+        date.setUTCDate(date.getUTCDate() + days)
+        return date.toISOString().slice(0, 10)
+    }
+
+    /**
+     * Clock time of an item as hebcal writes it ("7:32pm"), from the title when it has one
+     * ("Candle lighting: 7:32pm") or else from its timestamp ("Fast begins" items).
+     */
+    static timeOf(item, timeZone = 'UTC') {
+        if (!item) return ''
+        const match = String(item.title || '').match(/(\d{1,2}:\d{2}[ap]m)/i)
+        if (match) return match[1]
+        if (!String(item.date || '').includes('T')) return ''
+        return new Date(item.date).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone })
+            .replace(/\s/g, '').toLowerCase()
+    }
+
+    /**
+     * Sorts a week of hebcal items into what the home screen shows:
+     *   shabbat     - { candles, havdalah } items for the Shabbat itself
+     *   spans       - candle lighting through havdalah, one row per lighting or ending, so a
+     *                 two-day Yom Tov (or Yom Tov running into Shabbat) reads as one block
+     *   holidays    - holiday items other than fasts, { title, hebrew, date, subcat, yomTov }
+     *   fasts       - { title, hebrew, date, begins, ends }
+     *   roshChodesh - { title, hebrew, date }
+     *   omer        - { title, hebrew, date, count }
+     */
+    static summarize(items, timeZone = 'UTC') {
+        const sorted = (items || []).slice().sort((a, b) => String(a.date).localeCompare(String(b.date)))
+        const holidayItems = sorted.filter(item => item.category === 'holiday')
+        const yomTovOn = date => holidayItems.find(item => item.yomtov && CalendarEvents.dateOf(item) === date)
+
+        const spans = []
+        let span = null
+        sorted.forEach(item => {
+            if (item.category !== 'candles' && item.category !== 'havdalah') return
+            if (!span) {
+                span = { rows: [] }
+                spans.push(span)
+            }
+            span.rows.push(CalendarEvents.describeTimeItem(item, yomTovOn, timeZone))
+            if (item.category === 'havdalah') span = null
+        })
+        spans.forEach(block => {
+            block.start = block.rows[0].date
+            block.end = block.rows[block.rows.length - 1].date
+            block.yomTov = block.rows.some(row => row.yomTov)
+            block.multiDay = block.rows.length > 2
+        })
+
+        // On a Friday Yom Tov there is still a Friday lighting; when Shabbat runs into Yom Tov it ends with a lighting, not havdalah
+        const onWeekday = (category, day) => sorted.find(item => item.category === category && CalendarEvents.weekday(CalendarEvents.dateOf(item)) === day)
+        const shabbat = {
+            candles: onWeekday('candles', 5) || sorted.find(item => item.category === 'candles') || null,
+            havdalah: onWeekday('havdalah', 6) || onWeekday('candles', 6) || sorted.find(item => item.category === 'havdalah') || null
+        }
+
+        const zmanim = sorted.filter(item => item.category === 'zmanim')
+        const fasts = holidayItems.filter(item => item.subcat === 'fast').map(item => {
+            const date = CalendarEvents.dateOf(item)
+            // Minor fasts begin at dawn that day; Tish'a B'Av begins the evening before
+            const begins = zmanim.find(z => /fast begins/i.test(z.title) && [date, CalendarEvents.addDays(date, -1)].includes(CalendarEvents.dateOf(z)))
+            const ends = zmanim.find(z => /fast ends/i.test(z.title) && CalendarEvents.dateOf(z) === date)
+            return {
+                title: item.title,
+                hebrew: item.hebrew || '',
+                date,
+                begins: CalendarEvents.timeOf(begins, timeZone),
+                ends: CalendarEvents.timeOf(ends, timeZone)
+            }
+        })
+
+        return {
+            shabbat,
+            spans,
+            holidays: holidayItems.filter(item => item.subcat !== 'fast').map(item => ({
+                title: item.title,
+                hebrew: item.hebrew || '',
+                date: CalendarEvents.dateOf(item),
+                subcat: item.subcat || '',
+                yomTov: !!item.yomtov
+            })),
+            fasts,
+            roshChodesh: sorted.filter(item => item.category === 'roshchodesh').map(item => ({
+                title: item.title,
+                hebrew: item.hebrew || '',
+                date: CalendarEvents.dateOf(item)
+            })),
+            omer: sorted.filter(item => item.category === 'omer').map(item => ({
+                title: item.title,
+                hebrew: item.hebrew || '',
+                date: CalendarEvents.dateOf(item),
+                count: item.omer && item.omer.count ? Number(item.omer.count.en || item.omer.count) || null : null
+            }))
+        }
+    }
+
+    // One row of a candle-lighting span, e.g. { label: 'Pesach II', text: 'Candle lighting after', time: '8:36pm' }
+    static describeTimeItem(item, yomTovOn, timeZone) {
+        const date = CalendarEvents.dateOf(item)
+        const weekday = CalendarEvents.weekday(date)
+        const time = CalendarEvents.timeOf(item, timeZone)
+
+        if (item.category === 'havdalah') {
+            const holiday = yomTovOn(date)
+            return { date, weekday, kind: 'havdalah', time, label: holiday ? holiday.title : 'Shabbat', text: 'Ends', yomTov: !!holiday }
+        }
+
+        // Lighting for the day that starts this evening; on Shabbat or Yom Tov it waits for nightfall, from an existing flame
+        const holiday = yomTovOn(CalendarEvents.addDays(date, 1))
+        const afterNightfall = !!yomTovOn(date) || weekday === 6
+        return {
+            date,
+            weekday,
+            kind: 'candles',
+            time,
+            label: holiday ? holiday.title : weekday === 5 ? 'Shabbat' : (item.memo || 'Candle lighting'),
+            text: afterNightfall ? 'Candle lighting after' : 'Candle lighting',
+            yomTov: !!holiday || !!yomTovOn(date)
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CalendarEvents
+}
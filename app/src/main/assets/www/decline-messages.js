@@ -0,0 +1,88 @@
+// Ohr Shalom Donation Kiosk - Donor-friendly decline and payment error messages
+// Maps Stripe decline and reader error codes to wording a donor can act on
+class DeclineMessages {
+    // What the donor can do next - every category still allows another tap, possibly with another card
+    static CATEGORIES = {
+        tap_again: { title: 'Card Not Read', message: 'We couldn\'t read your card. Please hold it flat against the back of the tablet and tap again.', icon: 'fa-hand-pointer text-orange-500' },
+        insufficient_funds: { title: 'Declined', message: 'Insufficient funds. Please try another card or a smaller amount.', icon: 'fa-times-circle text-red-500' },
+        not_supported: { title: 'Card Not Supported', message: 'This card can\'t be used here. Please try another card.', icon: 'fa-credit-card text-red-500' },
+        expired: { title: 'Card Expired', message: 'This card has expired. Please try another card.', icon: 'fa-calendar-times text-red-500' },
+        verification: { title: 'Verification Needed', message: 'Your bank needs to verify this card. Please tap again and follow the prompts on the screen, or try another card.', icon: 'fa-lock text-orange-500' },
+        limit: { title: 'Declined', message: 'Your card has reached its limit. Please try another card.', icon: 'fa-times-circle text-red-500' },
+        another_card: { title: 'Declined', message: 'Your card was declined. Please try another card.', icon: 'fa-times-circle text-red-500' },
+        try_later: { title: 'Bank Unavailable', message: 'Your bank could not be reached. Please tap again in a moment.', icon: 'fa-university text-orange-500' },
+        connection: { title: 'Connection Problem', message: 'The payment service could not be reached. Please tap again.', icon: 'fa-wifi text-orange-500' },
+        unknown: { title: 'Not Completed', message: 'The payment could not be completed. Please tap again or try another card.', icon: 'fa-exclamation-triangle text-red-500' }
+    }
+
+    // Stripe decline codes and Stripe Terminal error codes, lower-cased.
+    // Lost, stolen and fraud codes deliberately get the generic wording.
+    static CODES = {
+        insufficient_funds: 'insufficient_funds',
+        card_not_supported: 'not_supported',
+        currency_not_supported: 'not_supported',
+        transaction_not_allowed: 'not_supported',
+        invalid_account: 'not_supported',
+        expired_card: 'expired',
+        incorrect_zip: 'verification',
+        offline_pin_required: 'verification',
+        online_or_offline_pin_required: 'verification',
+        card_velocity_exceeded: 'limit',
+        withdrawal_count_limit_exceeded: 'limit',
+        generic_decline: 'another_card',
+        card_declined: 'another_card',
+        do_not_honor: 'another_card',
+        do_not_try_again: 'another_card',
+        lost_card: 'another_card',
+        stolen_card: 'another_card',
+        pickup_card: 'another_card',
+        fraudulent: 'another_card',
+        restricted_card: 'another_card',
+        security_violation: 'another_card',
+        merchant_blacklist: 'another_card',
+        declined_by_stripe_api: 'another_card',
+        declined_by_reader: 'another_card',
+        processing_error: 'try_later',
+        try_again_later: 'try_later',
+        reenter_transaction: 'try_later',
+        issuer_not_available: 'try_later',
+        card_read_timed_out: 'tap_again',
+        card_read_failed: 'tap_again',
+        card_removed: 'tap_again',
+        contactless_transaction_failed: 'tap_again',
+        nfc_disabled: 'tap_again',
+        reader_busy: 'tap_again',
+        not_connected_to_reader: 'connection',
+        stripe_api_error: 'try_later',
+        payment_error: 'unknown',
+        stripe_api_connection_error: 'connection',
+        request_timed_out: 'connection',
+        reader_communication_error: 'connection'
+    }
+
+    /**
+     * Maps a decline/error code - or, failing that, the raw error text - to { code, category, title, message, icon }.
+     * Raw text such as "Payment error: Insufficient funds" is searched for a known code.
+     * fallbackCategory is used when nothing matches, e.g. 'another_card' for a plain issuer decline.
+     */
+    static describe(code, rawMessage = '', fallbackCategory = 'unknown') {
+        const normalized = DeclineMessages.normalize(code)
+        let known = DeclineMessages.CODES[normalized] ? normalized : null
+
+        if (!known) {
+            const text = DeclineMessages.normalize(rawMessage)
+            known = Object.keys(DeclineMessages.CODES).find(candidate => text.includes(candidate)) || null
+        }
+
+        const category = known ? DeclineMessages.CODES[known] : fallbackCategory
+        return { code: known || normalized || null, category, ...DeclineMessages.CATEGORIES[category] }
+    }
+
+    static normalize(value) {
+        return String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_')
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeclineMessages
+}
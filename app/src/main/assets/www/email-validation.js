@@ -0,0 +1,131 @@
+// Ohr Shalom Donation Kiosk - Email address validation and suggestions
+// Checks receipt addresses as the donor types and suggests fixes for common domain typos
+class EmailValidator {
+    // Most common donor domains first - autocomplete shows them in this order
+    static COMMON_DOMAINS = [
+        'gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'aol.com',
+        'icloud.com', 'comcast.net', 'msn.com', 'live.com', 'me.com',
+        'att.net', 'verizon.net', 'protonmail.com'
+    ]
+
+    // Frequent top-level domain slips on touch keyboards
+    static TLD_TYPOS = {
+        con: 'com',
+        cmo: 'com',
+        ocm: 'com',
+        vom: 'com',
+        xom: 'com',
+        comm: 'com',
+        nte: 'net',
+        ent: 'net',
+        nett: 'net',
+        ogr: 'org',
+        rog: 'org'
+    }
+
+    /**
+     * Returns '' when the address is acceptable, otherwise a message suitable for an inline error
+     */
+    static validate(email) {
+        const value = (email || '').trim()
+        if (!value) return 'Please enter an email address'
+        if (/\s/.test(value)) return 'Email address cannot contain spaces'
+
+        const parts = value.split('@')
+        if (parts.length !== 2) return 'Email address needs exactly one @'
+
+        const [local, domain] = parts
+        if (!local) return 'Please enter the part before the @'
+        if (local.length > 64 || value.length > 254) return 'Email address is too long'
+        if (!/^[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+$/.test(local)) return 'Email address contains invalid characters'
+        if (local.startsWith('.') || local.endsWith('.') || local.includes('..')) return 'Email address has a misplaced dot'
+
+        if (!domain) return 'Please enter the part after the @'
+        const labels = domain.split('.')
+        if (labels.length < 2) return 'Email domain looks incomplete (for example gmail.com)'
+        if (labels.some(label => !/^[A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?$/.test(label))) return 'Email domain contains invalid characters'
+        if (!/^[A-Za-z]{2,}$/.test(labels[labels.length - 1])) return 'Email domain ending looks wrong'
+
+        return ''
+    }
+
+    static isValid(email) {
+        return EmailValidator.validate(email) === ''
+    }
+
+    /**
+     * Domain completions for what has been typed so far, e.g. 'sam@g' -> ['sam@gmail.com']
+     */
+    static suggestCompletions(email, limit = 4) {
+        const value = (email || '').trim().toLowerCase()
+        const at = value.indexOf('@')
+        if (at <= 0 || value.indexOf('@', at + 1) !== -1) return []
+
+        const local = value.slice(0, at)
+        const partial = value.slice(at + 1)
+
+        return EmailValidator.COMMON_DOMAINS
+            .filter(domain => domain.startsWith(partial) && domain !== partial)
+            .slice(0, limit)
+            .map(domain => `${local}@${domain}`)
+    }
+
+    /**
+     * Suggests a corrected address for a likely typo ('gmial.com' -> 'gmail.com'), or null
+     */
+    static suggestCorrection(email) {
+        const value = (email || '').trim().toLowerCase()
+        const parts = value.split('@')
+        if (parts.length !== 2 || !parts[0] || !parts[1]) return null
+
+        const [local, domain] = parts
+        if (EmailValidator.COMMON_DOMAINS.includes(domain)) return null
+
+        // Closest common domain - two edits allowed for longer domains, one for short ones like me.com
+        let best = null
+        let bestDistance = domain.length >= 8 ? 3 : 2
+        EmailValidator.COMMON_DOMAINS.forEach(candidate => {
+            const distance = EmailValidator.editDistance(domain, candidate)
+            if (distance < bestDistance) {
+                best = candidate
+                bestDistance = distance
+            }
+        })
+        if (best) return `${local}@${best}`
+
+        // Otherwise only fix the ending, e.g. 'shul.con' -> 'shul.com'
+        const dot = domain.lastIndexOf('.')
+        const tld = dot === -1 ? '' : domain.slice(dot + 1)
+        if (EmailValidator.TLD_TYPOS[tld]) {
+            return `${local}@${domain.slice(0, dot)}.${EmailValidator.TLD_TYPOS[tld]}`
+        }
+
+        return null
+    }
+
+    /**
+     * Damerau-Levenshtein distance (optimal string alignment), so swapped letters count as one edit
+     */
+    static editDistance(a, b) {
+        const rows = a.length + 1
+        const cols = b.length + 1
+        const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)])
+        for (let j = 0; j < cols; j++) d[0][j] = j
+
+        for (let i = 1; i < rows; i++) {
+            for (let j = 1; j < cols; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost)
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1)
+                }
+            }
+        }
+
+        return d[a.length][b.length]
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EmailValidator
+}
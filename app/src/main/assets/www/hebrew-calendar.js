@@ -0,0 +1,193 @@
+// Ohr Shalom Donation Kiosk - Hebrew calendar (Gregorian to Hebrew date conversion)
+// Arithmetic calendar from the molad, so the Hebrew date needs no network
+class HebrewCalendar {
+    // Months are numbered from Nisan as in the Torah; the year itself starts at Tishrei (7).
+    // Adar (12) is Adar I in a leap year, and Adar II is month 13.
+    static NISAN = 1
+    static TISHREI = 7
+    static ADAR = 12
+    static ADAR_II = 13
+
+    static MONTH_NAMES = ['', 'Nisan', 'Iyyar', 'Sivan', 'Tamuz', 'Av', 'Elul', 'Tishrei', 'Cheshvan', 'Kislev', 'Tevet', 'Sh\'vat', 'Adar', 'Adar II']
+    static MONTH_NAMES_HEBREW = ['', 'ניסן', 'אייר', 'סיון', 'תמוז', 'אב', 'אלול', 'תשרי', 'חשון', 'כסלו', 'טבת', 'שבט', 'אדר', 'אדר ב׳']
+
+    static EPOCH = -1373427 // Fixed day (days since 1 Jan 1 CE = 1) of 1 Tishrei, year 1
+    static UNIX_EPOCH_FIXED = 719163 // Fixed day of 1 Jan 1970
+
+    static PARTS_PER_HOUR = 1080
+    static PARTS_PER_DAY = 24 * 1080
+    static MONTH_PARTS = 29 * 24 * 1080 + 12 * 1080 + 793 // Mean lunar month: 29d 12h 793p
+    static MOLAD_BAHARAD = 24 * 1080 + 5 * 1080 + 204 // First molad: Monday (day 2), 5h 204p after 6pm Sunday
+
+    static isLeapYear(year) {
+        // Years 3, 6, 8, 11, 14, 17 and 19 of the 19-year cycle have Adar II
+        return (7 * year + 1) % 19 < 7
+    }
+
+    static monthsInYear(year) {
+        return HebrewCalendar.isLeapYear(year) ? 13 : 12
+    }
+
+    // Months from the first molad to Tishrei of the given year
+    static monthsElapsed(year) {
+        return Math.floor((235 * year - 234) / 19)
+    }
+
+    /**
+     * Days from the epoch to Rosh Hashana of the year, applying molad zaken (a molad at or after
+     * noon) and lo ADU Rosh (Rosh Hashana never on Sunday, Wednesday or Friday).
+     */
+    static elapsedDays(year) {
+        const months = HebrewCalendar.monthsElapsed(year)
+        const parts = 12084 + 13753 * months
+        const day = 29 * months + Math.floor(parts / 25920)
+        return (3 * (day + 1)) % 7 < 3 ? day + 1 : day
+    }
+
+    // The GaTaRaD and BeTU'TeKaPoT postponements, which keep every year 353-355 or 383-385 days long
+    static yearLengthCorrection(year) {
+        const previous = HebrewCalendar.elapsedDays(year - 1)
+        const current = HebrewCalendar.elapsedDays(year)
+        const next = HebrewCalendar.elapsedDays(year + 1)
+        if (next - current === 356) return 2
+        if (current - previous === 382) return 1
+        return 0
+    }
+
+    // Fixed day of 1 Tishrei
+    static newYear(year) {
+        return HebrewCalendar.EPOCH + HebrewCalendar.elapsedDays(year) + HebrewCalendar.yearLengthCorrection(year)
+    }
+
+    static daysInYear(year) {
+        return HebrewCalendar.newYear(year + 1) - HebrewCalendar.newYear(year)
+    }
+
+    static daysInMonth(year, month) {
+        const yearLength = HebrewCalendar.daysInYear(year)
+        switch (month) {
+            case 2: case 4: case 6: case 10: case HebrewCalendar.ADAR_II:
+                return 29
+            case 8: // Cheshvan has 30 days in a "complete" year
+                return yearLength % 10 === 5 ? 30 : 29
+            case 9: // Kislev has 29 days in a "deficient" year
+                return yearLength % 10 === 3 ? 29 : 30
+            case HebrewCalendar.ADAR:
+                return HebrewCalendar.isLeapYear(year) ? 30 : 29
+            default:
+                return 30
+        }
+    }
+
+    // Months of the year in order, Tishrei first
+    static monthsInOrder(year) {
+        const months = []
+        for (let month = HebrewCalendar.TISHREI; month <= HebrewCalendar.monthsInYear(year); month++) months.push(month)
+        for (let month = HebrewCalendar.NISAN; month < HebrewCalendar.TISHREI; month++) months.push(month)
+        return months
+    }
+
+    static fixedFromHebrew(year, month, day) {
+        let fixed = HebrewCalendar.newYear(year) + day - 1
+        for (const earlier of HebrewCalendar.monthsInOrder(year)) {
+            if (earlier === month) break
+            fixed += HebrewCalendar.daysInMonth(year, earlier)
+        }
+        return fixed
+    }
+
+    static fixedFromGregorian(year, month, day) {
+        return Math.floor(Date.UTC(year, month - 1, day) / 86400000) + HebrewCalendar.UNIX_EPOCH_FIXED
+    }
+
+    static gregorianFromFixed(fixed) {
+        const date = new Date((fixed - HebrewCalendar.UNIX_EPOCH_FIXED) * 86400000)
+        return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() }
+    }
+
+    static hebrewFromFixed(fixed) {
+        // The average year length gives a guess no more than a year past the answer
+        let year = Math.floor((fixed - HebrewCalendar.EPOCH) / (35975351 / 98496))
+        while (HebrewCalendar.newYear(year + 1) <= fixed) year++
+
+        let start = HebrewCalendar.newYear(year)
+        for (const month of HebrewCalendar.monthsInOrder(year)) {
+            const length = HebrewCalendar.daysInMonth(year, month)
+            if (fixed < start + length) {
+                return { year, month, day: fixed - start + 1 }
+            }
+            start += length
+        }
+        return null // Not reached - the months add up to the year
+    }
+
+    /**
+     * Converts a Gregorian civil date to { year, month, day, monthName, monthNameHebrew, isLeapYear,
+     * hebrew, transliterated }, e.g. 2 Oct 2024 -> 29 Elul 5784 / 'כ״ט אלול תשפ״ד'.
+     * Pass afterSunset for an evening moment - the Hebrew day has already moved on to the next one.
+     */
+    static fromGregorian(year, month, day, { afterSunset = false } = {}) {
+        const fixed = HebrewCalendar.fixedFromGregorian(year, month, day) + (afterSunset ? 1 : 0)
+        return HebrewCalendar.describe(HebrewCalendar.hebrewFromFixed(fixed))
+    }
+
+    static toGregorian(year, month, day) {
+        return HebrewCalendar.gregorianFromFixed(HebrewCalendar.fixedFromHebrew(year, month, day))
+    }
+
+    static describe({ year, month, day }) {
+        const isLeapYear = HebrewCalendar.isLeapYear(year)
+        const monthName = HebrewCalendar.monthName(year, month)
+        const monthNameHebrew = HebrewCalendar.monthName(year, month, { hebrew: true })
+        return {
+            year,
+            month,
+            day,
+            monthName,
+            monthNameHebrew,
+            isLeapYear,
+            transliterated: `${day} ${monthName} ${year}`,
+            // Written the usual way, without the thousands: כ״ט אלול תשפ״ד
+            hebrew: `${HebrewCalendar.gematria(day)} ${monthNameHebrew} ${HebrewCalendar.gematria(year % 1000)}`
+        }
+    }
+
+    static monthName(year, month, { hebrew = false } = {}) {
+        if (month === HebrewCalendar.ADAR && HebrewCalendar.isLeapYear(year)) {
+            return hebrew ? 'אדר א׳' : 'Adar I'
+        }
+        return hebrew ? HebrewCalendar.MONTH_NAMES_HEBREW[month] : HebrewCalendar.MONTH_NAMES[month]
+    }
+
+    /**
+     * Molad (mean new moon) of a Hebrew month, as announced in shul: the weekday (0 = Sunday)
+     * and civil clock time in Jerusalem mean time, e.g. { dayOfWeek: 3, hours: 21, minutes: 33, chalakim: 7 }.
+     */
+    static molad(year, month) {
+        const months = HebrewCalendar.monthsElapsed(year) + HebrewCalendar.monthsInOrder(year).indexOf(month)
+        const parts = HebrewCalendar.MOLAD_BAHARAD + months * HebrewCalendar.MONTH_PARTS
+
+        // Hebrew hours count from 6pm the evening before
+        const hebrewDay = Math.floor(parts / HebrewCalendar.PARTS_PER_DAY) % 7
+        const partsOfDay = parts % HebrewCalendar.PARTS_PER_DAY
+        const hebrewHour = Math.floor(partsOfDay / HebrewCalendar.PARTS_PER_HOUR)
+        const partsOfHour = partsOfDay % HebrewCalendar.PARTS_PER_HOUR
+
+        return {
+            dayOfWeek: hebrewHour < 6 ? (hebrewDay + 6) % 7 : hebrewDay,
+            hours: (hebrewHour + 18) % 24,
+            minutes: Math.floor(partsOfHour / 18),
+            chalakim: partsOfHour % 18
+        }
+    }
+
+    static gematria(number) {
+        // hebrew-numerals.js is loaded first on the kiosk; under node (app/src/test/js), require it
+        const numerals = typeof HebrewNumerals !== 'undefined' ? HebrewNumerals : require('./hebrew-numerals.js')
+        return numerals.toHebrew(number)
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HebrewCalendar
+}
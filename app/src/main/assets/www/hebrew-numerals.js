@@ -0,0 +1,131 @@
+// Ohr Shalom Donation Kiosk - Hebrew numerals (gematria) helpers
+// Spells amounts in Hebrew letters and picks Chai and meaningful-amount captions for the preset buttons
+class HebrewNumerals {
+    static ONES = ['', 'א', 'ב', 'ג', 'ד', 'ה', 'ו', 'ז', 'ח', 'ט']
+    static TENS = ['', 'י', 'כ', 'ל', 'מ', 'נ', 'ס', 'ע', 'פ', 'צ']
+    static HUNDREDS = ['', 'ק', 'ר', 'ש', 'ת']
+
+    // Letter combinations that spell unfortunate words are written in a different order
+    static SPECIAL_SPELLINGS = {
+        'יה': 'טו',
+        'יו': 'טז',
+        'רע': 'ער',
+        'רעב': 'ערב',
+        'רעה': 'ערה',
+        'שד': 'דש'
+    }
+
+    static DEFAULT_MEANINGFUL_AMOUNTS = [
+        { amount: 26, caption: 'Shem Hashem' },
+        { amount: 72, caption: 'Chesed - Kindness' },
+        { amount: 613, caption: 'Taryag Mitzvot' }
+    ]
+
+    /**
+     * Letters for 1-999 without punctuation, e.g. 18 -> 'יח', 613 -> 'תריג'
+     */
+    static lettersBelowThousand(number) {
+        let remaining = number
+        let letters = ''
+
+        // Hundreds above 400 are written as repeated ת plus the remainder (e.g. 900 = תתק)
+        while (remaining >= 400) {
+            letters += 'ת'
+            remaining -= 400
+        }
+        letters += HebrewNumerals.HUNDREDS[Math.floor(remaining / 100)]
+        remaining %= 100
+
+        const tail = HebrewNumerals.TENS[Math.floor(remaining / 10)] + HebrewNumerals.ONES[remaining % 10]
+        letters += tail
+
+        // Apply special spellings to the whole group first, then the tens/ones tail
+        if (HebrewNumerals.SPECIAL_SPELLINGS[letters]) {
+            return HebrewNumerals.SPECIAL_SPELLINGS[letters]
+        }
+        if (HebrewNumerals.SPECIAL_SPELLINGS[tail]) {
+            return letters.slice(0, letters.length - tail.length) + HebrewNumerals.SPECIAL_SPELLINGS[tail]
+        }
+        return letters
+    }
+
+    /**
+     * Adds geresh (׳) to a single letter or gershayim (״) before the last letter
+     */
+    static punctuate(letters) {
+        if (!letters) return ''
+        if (letters.length === 1) return `${letters}׳`
+        return `${letters.slice(0, -1)}״${letters.slice(-1)}`
+    }
+
+    /**
+     * Converts a positive integer to Hebrew gematria letters, e.g. 18 -> 'י״ח', 5785 -> 'ה׳תשפ״ה'.
+     * Returns '' for values that cannot be written (zero, negatives, fractions).
+     */
+    static toHebrew(number, { punctuation = true } = {}) {
+        if (!Number.isInteger(number) || number <= 0 || number > 999999) return ''
+
+        const thousands = Math.floor(number / 1000)
+        const rest = number % 1000
+
+        const restLetters = rest ? HebrewNumerals.lettersBelowThousand(rest) : ''
+        const formattedRest = punctuation ? HebrewNumerals.punctuate(restLetters) : restLetters
+
+        if (!thousands) return formattedRest
+
+        // Thousands are written as a prefix letter group followed by a geresh
+        const thousandsLetters = HebrewNumerals.lettersBelowThousand(thousands)
+
+        // A bare א׳ would read as 1, so whole thousands spell out the word: 2000 -> 'ב׳ אלפים'
+        if (!rest) {
+            return `${punctuation ? `${thousandsLetters}׳` : thousandsLetters} אלפים`
+        }
+        return punctuation
+            ? `${thousandsLetters}׳${formattedRest}`
+            : `${thousandsLetters}${formattedRest}`
+    }
+
+    /**
+     * Returns how many times 18 goes into the amount, or 0 if it is not a whole multiple
+     */
+    static chaiMultiple(amount) {
+        const value = Number(amount)
+        if (!Number.isInteger(value) || value <= 0 || value % 18 !== 0) return 0
+        return value / 18
+    }
+
+    static chaiCaption(multiple) {
+        if (multiple === 1) return 'Chai'
+        if (multiple === 2) return 'Double Chai'
+        if (multiple === 3) return 'Triple Chai'
+        return `${multiple}× Chai`
+    }
+
+    /**
+     * Describes a donation amount for display:
+     *   { hebrew: 'צ׳', captions: ['5× Chai'], text: 'צ׳ · 5× Chai' }
+     * meaningfulAmounts is a list of { amount, caption } configured by the admin.
+     */
+    static describeAmount(amount, meaningfulAmounts = HebrewNumerals.DEFAULT_MEANINGFUL_AMOUNTS) {
+        const value = Number(amount)
+        const hebrew = Number.isInteger(value) ? HebrewNumerals.toHebrew(value) : ''
+        const captions = []
+
+        const meaningful = (meaningfulAmounts || []).find(item => Number(item.amount) === value)
+        if (meaningful && meaningful.caption) {
+            captions.push(meaningful.caption)
+        }
+
+        const multiple = HebrewNumerals.chaiMultiple(value)
+        if (multiple) {
+            captions.push(HebrewNumerals.chaiCaption(multiple))
+        }
+
+        const text = [hebrew, ...captions].filter(Boolean).join(' · ')
+        return { hebrew, captions, text }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HebrewNumerals
+}
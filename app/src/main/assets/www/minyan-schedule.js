@@ -0,0 +1,256 @@
+// Ohr Shalom Donation Kiosk - Minyan schedule rules (fixed times or times relative to zmanim)
+// Parses the admin's minyan rules and evaluates them against a day's zmanim
+class MinyanSchedule {
+    static PRAYERS = ['shacharit', 'mincha', 'maariv']
+    static DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+
+    // Names usable in a rule, and the zmanim key (hebcal / ZmanimCalculator) each one reads
+    static ZMANIM = {
+        alot: 'alotHaShachar',
+        sunrise: 'sunrise',
+        chatzot: 'chatzot',
+        minchagedola: 'minchaGedola',
+        minchaketana: 'minchaKetana',
+        plag: 'plagHaMincha',
+        candles: 'candleLighting',
+        sunset: 'sunset',
+        tzeit: 'tzeit85deg',
+        havdalah: 'havdalah'
+    }
+
+    // Days of Yom Tov by Hebrew month (Nisan = 1), with Yom Kippur scheduled the same way
+    static YOM_TOV = {
+        diaspora: { 1: [15, 16, 21, 22], 3: [6, 7], 7: [1, 2, 10, 15, 16, 22, 23] },
+        israel: { 1: [15, 21], 3: [6], 7: [1, 2, 10, 15, 22] }
+    }
+
+    /**
+     * Parses the admin's rules, one per line:
+     *   <prayer> <days> [MM/DD-MM/DD] = <time> [round down|up|nearest N]
+     * e.g. "mincha sun-thu = sunset - 15 round down 5", "shacharit shabbat = 9:00 AM",
+     * "maariv weekdays 11/06-03/12 = tzeit + 5". Days are daily, weekdays (Sunday to Friday),
+     * shabbat, yomtov, or day names and ranges (mon,thu or sun-thu). Lines starting with # are comments.
+     * Returns { rules, errors } like the other admin list parsers.
+     */
+    static parse(text) {
+        const rules = []
+        const errors = []
+
+        String(text || '').split('\n').map(line => line.trim()).forEach((line, index) => {
+            if (!line || line.startsWith('#')) return
+            const rule = MinyanSchedule.parseRule(line)
+            if (typeof rule === 'string') {
+                errors.push(`Minyan rule line ${index + 1}: ${rule}`)
+            } else {
+                rules.push(rule)
+            }
+        })
+
+        return { rules, errors }
+    }
+
+    // A rule object, or an error message string
+    static parseRule(line) {
+        const match = line.match(/^(\w+)\s+([\w,-]+)(?:\s+(\d{1,2})\/(\d{1,2})\s*-\s*(\d{1,2})\/(\d{1,2}))?\s*=\s*(.+)$/)
+        if (!match) return 'use "prayer days = time", e.g. "mincha sun-thu = sunset - 15 round down 5"'
+
+        const prayer = match[1].toLowerCase()
+        if (!MinyanSchedule.PRAYERS.includes(prayer)) return `unknown prayer "${match[1]}" (shacharit, mincha or maariv)`
+
+        const days = MinyanSchedule.parseDays(match[2])
+        if (!days) return `unknown days "${match[2]}"`
+
+        let season = null
+        if (match[3]) {
+            const from = MinyanSchedule.monthDay(match[3], match[4])
+            const to = MinyanSchedule.monthDay(match[5], match[6])
+            if (!from || !to) return 'season dates are MM/DD-MM/DD'
+            season = { from, to }
+        }
+
+        const timeMatch = match[7].trim().match(/^(.+?)(?:\s*,?\s+round(?:\s+(down|up|nearest))?(?:\s+to)?\s+(\d+))?$/i)
+        const time = MinyanSchedule.parseTime(timeMatch[1])
+        if (!time) return `cannot read time "${timeMatch[1].trim()}" (e.g. 7:00 AM, sunset - 15, tzeit + 5)`
+
+        let round = null
+        if (timeMatch[3]) {
+            const minutes = parseInt(timeMatch[3], 10)
+            if (minutes < 1 || minutes > 60) return 'rounding must be between 1 and 60 minutes'
+            round = { direction: (timeMatch[2] || 'nearest').toLowerCase(), minutes }
+        }
+
+        return { prayer, ...days, season, time, round }
+    }
+
+    // { days: [weekday numbers], yomTov } for "sun-thu", "mon,thu", "weekdays", "shabbat", "yomtov"...
+    static parseDays(text) {
+        const value = text.toLowerCase()
+        if (value === 'yomtov') return { days: [], yomTov: true }
+        if (value === 'daily' || value === 'all') return { days: [0, 1, 2, 3, 4, 5, 6], yomTov: false }
+        if (value === 'weekday' || value === 'weekdays') return { days: [0, 1, 2, 3, 4, 5], yomTov: false }
+
+        const days = new Set()
+        for (const part of value.split(',').filter(Boolean)) {
+            const [first, last] = part.split('-').map(name => MinyanSchedule.dayNumber(name))
+            if (first === -1 || last === -1) return null
+            if (last === undefined) {
+                days.add(first)
+                continue
+            }
+            // Ranges may wrap past Shabbat, e.g. sat-mon
+            for (let day = first; ; day = (day + 1) % 7) {
+                days.add(day)
+                if (day === last) break
+            }
+        }
+        return days.size ? { days: [...days].sort(), yomTov: false } : null
+    }
+
+    static dayNumber(name) {
+        if (name === 'shabbat') return 6
+        return MinyanSchedule.DAY_NAMES.indexOf(String(name).slice(0, 3))
+    }
+
+    static monthDay(month, day) {
+        const m = parseInt(month, 10)
+        const d = parseInt(day, 10)
+        if (m < 1 || m > 12 || d < 1 || d > 31) return null
+        return `${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`
+    }
+
+    // { fixed: minutes after midnight } or { zman, offset } for "7:00 AM", "19:30", "sunset - 15", "candles"
+    static parseTime(text) {
+        const value = text.trim().toLowerCase()
+
+        const clock = value.match(/^(\d{1,2}):(\d{2})\s*([ap]\.?m\.?)?$/)
+        if (clock) {
+            let hours = parseInt(clock[1], 10)
+            const minutes = parseInt(clock[2], 10)
+            if (minutes > 59 || hours > 23 || (clock[3] && (hours < 1 || hours > 12))) return null
+            if (clock[3]) hours = hours % 12 + (clock[3].startsWith('p') ? 12 : 0)
+            return { fixed: hours * 60 + minutes }
+        }
+
+        const relative = value.match(/^([a-z ]+?)\s*(?:([+-])\s*(\d+)(?:\s*min(?:utes?)?)?)?$/)
+        if (!relative) return null
+        const zman = relative[1].replace(/\s+/g, '')
+        if (!MinyanSchedule.ZMANIM[zman]) return null
+        const offset = relative[2] ? parseInt(relative[3], 10) * (relative[2] === '-' ? -1 : 1) : 0
+        return { zman, offset }
+    }
+
+    // Back to the text parse() reads, for the admin textarea
+    static format(rules) {
+        return (rules || []).map(rule => MinyanSchedule.formatRule(rule)).join('\n')
+    }
+
+    static formatRule(rule) {
+        const season = rule.season ? ` ${rule.season.from.replace('-', '/')}-${rule.season.to.replace('-', '/')}` : ''
+        const time = rule.time.zman
+            ? `${rule.time.zman}${rule.time.offset ? ` ${rule.time.offset < 0 ? '-' : '+'} ${Math.abs(rule.time.offset)}` : ''}`
+            : MinyanSchedule.formatMinutes(rule.time.fixed)
+        const round = rule.round ? ` round ${rule.round.direction} ${rule.round.minutes}` : ''
+        return `${rule.prayer} ${MinyanSchedule.formatDays(rule)}${season} = ${time}${round}`
+    }
+
+    static formatDays({ days, yomTov }) {
+        if (yomTov) return 'yomtov'
+        const key = days.join('')
+        if (key === '0123456') return 'daily'
+        if (key === '012345') return 'weekdays'
+        if (key === '6') return 'shabbat'
+
+        // Runs of consecutive days as ranges: sun-thu, or mon,thu
+        const parts = []
+        let start = 0
+        for (let i = 1; i <= days.length; i++) {
+            if (i === days.length || days[i] !== days[i - 1] + 1) {
+                const first = MinyanSchedule.DAY_NAMES[days[start]]
+                const last = MinyanSchedule.DAY_NAMES[days[i - 1]]
+                parts.push(i - 1 === start ? first : `${first}-${last}`)
+                start = i
+            }
+        }
+        return parts.join(',')
+    }
+
+    static formatMinutes(minutes) {
+        const total = ((Math.round(minutes) % 1440) + 1440) % 1440
+        const hours = Math.floor(total / 60)
+        return `${hours % 12 || 12}:${String(total % 60).padStart(2, '0')} ${hours >= 12 ? 'PM' : 'AM'}`
+    }
+
+    static isYomTov({ month, day }, { israel = false } = {}) {
+        const days = MinyanSchedule.YOM_TOV[israel ? 'israel' : 'diaspora'][month]
+        return !!days && days.includes(day)
+    }
+
+    /**
+     * The rule that applies to a prayer on a day, or null. Yom Tov rules win on Yom Tov, then the
+     * rule naming the fewest weekdays; a seasonal rule beats a year-round one for the same days,
+     * and among equals the later line wins.
+     */
+    static ruleFor(rules, prayer, { dateKey, weekday, yomTov = false }) {
+        const monthDay = dateKey.slice(5)
+        let best = null
+        let bestScore = -1
+
+        rules.forEach(rule => {
+            if (rule.prayer !== prayer) return
+            if (rule.yomTov ? !yomTov : !rule.days.includes(weekday)) return
+            if (rule.season && !MinyanSchedule.inSeason(monthDay, rule.season)) return
+
+            const score = (rule.yomTov ? 16 : 8 - rule.days.length) * 2 + (rule.season ? 1 : 0)
+            if (score >= bestScore) {
+                best = rule
+                bestScore = score
+            }
+        })
+        return best
+    }
+
+    // Inclusive, and a season like 11/01-03/15 wraps over the new year
+    static inSeason(monthDay, { from, to }) {
+        return from <= to
+            ? monthDay >= from && monthDay <= to
+            : monthDay >= from || monthDay <= to
+    }
+
+    /**
+     * Times for each prayer on a day: { shacharit, mincha, maariv }, each { minutes, text, rule } or
+     * null when no rule applies or its zman is missing. zmanim holds Dates or ISO strings keyed like
+     * the hebcal zmanim API; clock times are read in timeZone.
+     */
+    static evaluate(rules, { dateKey, weekday, yomTov = false, zmanim = {}, timeZone = 'UTC' }) {
+        const result = {}
+        MinyanSchedule.PRAYERS.forEach(prayer => {
+            const rule = MinyanSchedule.ruleFor(rules || [], prayer, { dateKey, weekday, yomTov })
+            const minutes = rule ? MinyanSchedule.ruleMinutes(rule, zmanim, timeZone) : null
+            result[prayer] = minutes === null ? null : { minutes, text: MinyanSchedule.formatMinutes(minutes), rule }
+        })
+        return result
+    }
+
+    static ruleMinutes(rule, zmanim, timeZone) {
+        let minutes = rule.time.fixed
+        if (rule.time.zman) {
+            const value = zmanim[MinyanSchedule.ZMANIM[rule.time.zman]]
+            if (!value) return null
+            minutes = MinyanSchedule.minutesOfDay(new Date(value), timeZone) + rule.time.offset
+        }
+
+        if (!rule.round) return Math.round(minutes)
+        const step = rule.round.minutes
+        const rounding = { down: Math.floor, up: Math.ceil }[rule.round.direction] || Math.round
+        return rounding(minutes / step) * step
+    }
+
+    static minutesOfDay(date, timeZone) {
+        const [hours, minutes, seconds] = date.toLocaleTimeString('en-GB', { timeZone, hourCycle: 'h23' }).split(':').map(Number)
+        return hours * 60 + minutes + seconds / 60
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MinyanSchedule
+}
@@ -0,0 +1,75 @@
+// Ohr Shalom Donation Kiosk - Sefirat HaOmer count wording
+// Day of the Omer from a Hebrew date, with the count in Hebrew (by nusach) and English
+class OmerCount {
+    static BLESSING = 'בָּרוּךְ אַתָּה ה׳ אֱלֹקֵינוּ מֶלֶךְ הָעוֹלָם אֲשֶׁר קִדְּשָׁנוּ בְּמִצְוֹתָיו וְצִוָּנוּ עַל סְפִירַת הָעֹמֶר'
+
+    // Ashkenaz counts "la'omer", Sefard and Edot HaMizrach "ba'omer"
+    static NUSACH_SUFFIX = {
+        ashkenaz: 'לָעֹמֶר',
+        sefard: 'בָּעֹמֶר'
+    }
+
+    static ONES = ['', 'אֶחָד', 'שְׁנֵי', 'שְׁלֹשָׁה', 'אַרְבָּעָה', 'חֲמִשָּׁה', 'שִׁשָּׁה', 'שִׁבְעָה', 'שְׁמוֹנָה', 'תִּשְׁעָה']
+    static TENS = ['', 'עֲשָׂרָה', 'עֶשְׂרִים', 'שְׁלֹשִׁים', 'אַרְבָּעִים']
+    static TEEN_ONES = { 1: 'אַחַד', 2: 'שְׁנֵים' }
+
+    // With the prefix "and" - its vowel depends on the first letter of the word
+    static AND_ONES = ['', 'וְיוֹם אֶחָד', 'וּשְׁנֵי', 'וּשְׁלֹשָׁה', 'וְאַרְבָּעָה', 'וַחֲמִשָּׁה', 'וְשִׁשָּׁה']
+    static AND_TENS = ['', '', 'וְעֶשְׂרִים', 'וּשְׁלֹשִׁים', 'וְאַרְבָּעִים']
+
+    /**
+     * Day of the Omer (1-49) for a HebrewCalendar date { month, day }, or null outside the Omer.
+     * The count runs from 16 Nisan to 5 Sivan.
+     */
+    static dayOf({ month, day }) {
+        const startOfMonth = { 1: -15, 2: 15, 3: 44 } // Omer day before the 1st of Nisan, Iyyar and Sivan
+        if (!(month in startOfMonth)) return null
+        const omerDay = startOfMonth[month] + day
+        return omerDay >= 1 && omerDay <= 49 ? omerDay : null
+    }
+
+    // Number of days as counted, e.g. 2 -> 'שְׁנֵי', 11 -> 'אַחַד עָשָׂר', 12 -> 'שְׁנֵים עָשָׂר', 23 -> 'שְׁלֹשָׁה וְעֶשְׂרִים'
+    static numberWords(number) {
+        const ones = number % 10
+        const tens = Math.floor(number / 10)
+        // "Two" on its own before a noun is shnei, but shnayim inside a compound number
+        const one = ones === 2 && tens ? 'שְׁנַיִם' : OmerCount.ONES[ones]
+        if (!tens) return one
+        // Teens read achad and shnayim in their construct forms: achad asar, shneim asar
+        if (tens === 1) return ones ? `${OmerCount.TEEN_ONES[ones] || one} עָשָׂר` : OmerCount.TENS[1]
+        return ones ? `${one} ${OmerCount.AND_TENS[tens]}` : OmerCount.TENS[tens]
+    }
+
+    /**
+     * The count as said after the blessing, e.g. day 9 (Ashkenaz):
+     * 'הַיּוֹם תִּשְׁעָה יָמִים שֶׁהֵם שָׁבוּעַ אֶחָד וּשְׁנֵי יָמִים לָעֹמֶר'
+     */
+    static hebrewText(omerDay, nusach = 'ashkenaz') {
+        const suffix = OmerCount.NUSACH_SUFFIX[nusach] || OmerCount.NUSACH_SUFFIX.ashkenaz
+        const days = omerDay === 1
+            ? 'יוֹם אֶחָד'
+            : `${OmerCount.numberWords(omerDay)} ${omerDay <= 10 ? 'יָמִים' : 'יוֹם'}`
+        if (omerDay < 7) return `הַיּוֹם ${days} ${suffix}`
+
+        const weekCount = Math.floor(omerDay / 7)
+        const remainder = omerDay % 7
+        const weeks = weekCount === 1 ? 'שָׁבוּעַ אֶחָד' : `${OmerCount.ONES[weekCount]} שָׁבוּעוֹת`
+        const extra = !remainder ? '' : remainder === 1 ? ` ${OmerCount.AND_ONES[1]}` : ` ${OmerCount.AND_ONES[remainder]} יָמִים`
+        return `הַיּוֹם ${days} שֶׁהֵם ${weeks}${extra} ${suffix}`
+    }
+
+    // e.g. 'Today is 9 days, which is 1 week and 2 days of the Omer'
+    static englishText(omerDay) {
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`
+        if (omerDay < 7) return `Today is ${plural(omerDay, 'day')} of the Omer`
+
+        const weeks = Math.floor(omerDay / 7)
+        const remainder = omerDay % 7
+        const parts = [plural(weeks, 'week'), remainder ? plural(remainder, 'day') : ''].filter(Boolean).join(' and ')
+        return `Today is ${plural(omerDay, 'day')}, which is ${parts} of the Omer`
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OmerCount
+}
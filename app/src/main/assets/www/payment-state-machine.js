@@ -0,0 +1,84 @@
+// Ohr Shalom Donation Kiosk - Payment state machine
+// No DOM access - kiosk.js listens for changes and updates the payment status modal
+class PaymentStateMachine {
+    static STATES = ['idle', 'awaiting_card', 'card_read', 'authorizing', 'succeeded', 'declined', 'failed', 'cancelled', 'timeout', 'unknown']
+
+    // Allowed next states. Once the bank is authorizing the charge it can no longer be cancelled or
+    // timed out - the kiosk waits for Stripe's answer so a charge is never left out of the ledger.
+    // 'unknown' is the last resort when that answer never comes; the attempt is then reconciled by hand.
+    // 'failed' covers reader or network errors that are not a decision by the card issuer.
+    static TRANSITIONS = {
+        idle: ['awaiting_card'],
+        awaiting_card: ['card_read', 'declined', 'failed', 'cancelled', 'timeout'],
+        card_read: ['authorizing', 'declined', 'failed', 'cancelled', 'timeout'],
+        authorizing: ['succeeded', 'declined', 'failed', 'unknown'],
+        succeeded: ['idle'],
+        declined: ['idle'],
+        failed: ['idle'],
+        cancelled: ['idle'],
+        timeout: ['idle'],
+        unknown: ['idle']
+    }
+
+    static TERMINAL_STATES = ['succeeded', 'declined', 'failed', 'cancelled', 'timeout', 'unknown']
+
+    /**
+     * onChange(from, to, detail) is called after every accepted transition
+     */
+    constructor(onChange = () => {}) {
+        this.state = 'idle'
+        this.onChange = onChange
+        this.history = []
+    }
+
+    canTransition(to) {
+        return (PaymentStateMachine.TRANSITIONS[this.state] || []).includes(to)
+    }
+
+    /**
+     * Moves to the given state. Repeating the current state is a harmless no-op (native code may
+     * report a state the kiosk already entered); anything else not in TRANSITIONS is rejected.
+     * Returns true when the machine is in the requested state afterwards.
+     */
+    transition(to, detail = {}) {
+        if (to === this.state) return true
+
+        if (!PaymentStateMachine.STATES.includes(to) || !this.canTransition(to)) {
+            console.warn(`PAYMENT DEBUG: Illegal payment transition ${this.state} -> ${to}`)
+            return false
+        }
+
+        const from = this.state
+        this.state = to
+        this.history.push({ from, to, at: Date.now() })
+        this.onChange(from, to, detail)
+        return true
+    }
+
+    is(state) {
+        return this.state === state
+    }
+
+    isTerminal() {
+        return PaymentStateMachine.TERMINAL_STATES.includes(this.state)
+    }
+
+    isActive() {
+        return !this.is('idle') && !this.isTerminal()
+    }
+
+    /**
+     * Returns to idle from a finished payment. An in-flight payment must be finished first.
+     */
+    reset() {
+        if (this.isTerminal()) {
+            this.transition('idle')
+        }
+        this.history = []
+        return this.is('idle')
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PaymentStateMachine
+}
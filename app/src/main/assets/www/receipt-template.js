@@ -0,0 +1,78 @@
+// Ohr Shalom Donation Kiosk - Donation receipt templates
+// Fills {{token}} placeholders in the admin's receipt template and builds receipt numbers
+class ReceiptTemplate {
+    static DEFAULT_TEMPLATE = [
+        '{{organizationName}}',
+        'Donation Receipt #{{receiptNumber}}',
+        '',
+        'Amount: {{amount}}',
+        'Date: {{date}}',
+        'Hebrew date: {{hebrewDate}}',
+        'Fund: {{fund}}',
+        '{{dedication}}',
+        '',
+        '{{organizationName}} is a tax-exempt organization under Section 501(c)(3) of the Internal Revenue Code.',
+        'EIN: {{ein}}',
+        'No goods or services were provided in exchange for this contribution.',
+        'Please keep this receipt for your tax records.'
+    ].join('\n')
+
+    static TOKENS = [
+        'organizationName', 'ein', 'receiptNumber', 'amount', 'date',
+        'hebrewDate', 'fund', 'dedication', 'email', 'paymentId'
+    ]
+
+    /**
+     * Fills {{token}} placeholders. A line is left out when any token on it has no value,
+     * so optional details (EIN, Hebrew date, dedication) don't leave dangling labels.
+     */
+    static render(template, values) {
+        const lines = (template || ReceiptTemplate.DEFAULT_TEMPLATE).split('\n')
+        const rendered = []
+
+        lines.forEach(line => {
+            let missing = false
+            const text = line.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, token) => {
+                const value = values[token]
+                if (value === undefined || value === null || value === '') {
+                    missing = true
+                    return ''
+                }
+                return String(value)
+            })
+            if (!missing) rendered.push(text)
+        })
+
+        // Collapse the blank lines left behind by removed sections
+        return rendered.join('\n').replace(/\n{3,}/g, '\n\n').trim()
+    }
+
+    /**
+     * Returns tokens used in a template that are not known, e.g. a typo like {{amonut}}
+     */
+    static unknownTokens(template) {
+        const used = [...(template || '').matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1])
+        return [...new Set(used)].filter(token => !ReceiptTemplate.TOKENS.includes(token))
+    }
+
+    /**
+     * Receipt numbers look like OS-20261019-4F7K2A: organization initials, date, and a short unique suffix
+     */
+    static receiptNumber(organizationName, dateKey, uniqueId) {
+        const initials = (organizationName || '')
+            .split(/\s+/)
+            .map(word => word.charAt(0).toUpperCase())
+            .filter(letter => /[A-Z]/.test(letter))
+            .join('') || 'R'
+        const suffix = String(uniqueId || '').replace(/[^a-z0-9]/gi, '').slice(-6).toUpperCase()
+        return `${initials}-${String(dateKey).replace(/-/g, '')}-${suffix}`
+    }
+
+    static formatAmount(amount) {
+        return `$${Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReceiptTemplate
+}
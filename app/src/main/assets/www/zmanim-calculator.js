@@ -0,0 +1,161 @@
+// Ohr Shalom Donation Kiosk - Local zmanim calculation (NOAA solar position algorithm)
+// Works out the day's zmanim on the tablet when hebcal.com is unreachable or not wanted
+class ZmanimCalculator {
+    // Sun angles below the horizon, in degrees from the zenith
+    static ZENITH = {
+        sunrise: 90.833, // Upper limb on the horizon, with atmospheric refraction
+        alot: 106.1, // 16.1 degrees - dawn
+        tzeit85: 98.5, // 8.5 degrees - three small stars
+        tzeit7083: 97.083 // 7.083 degrees - three medium stars
+    }
+
+    static DEFAULT_CANDLE_LIGHTING_MINUTES = 18
+    static DEFAULT_HAVDALAH_MINUTES = 50
+
+    /**
+     * Calculates the day's zmanim for a location. The civil date is taken in timeZone, so
+     * "today" matches the kiosk clock even when the device runs on another timezone.
+     * Returns { date, times } where times uses the same keys as the hebcal.com zmanim API
+     * (sunrise, sunset, sofZmanShma, sofZmanShmaMGA, chatzot, tzeit85deg, ...) and each
+     * value is a Date, or null when the sun never reaches that angle (polar days).
+     */
+    static calculate(date, latitude, longitude, timeZone = 'UTC', { candleLightingMinutes = ZmanimCalculator.DEFAULT_CANDLE_LIGHTING_MINUTES, havdalahMinutes = ZmanimCalculator.DEFAULT_HAVDALAH_MINUTES } = {}) {
+        const { year, month, day } = ZmanimCalculator.civilDate(date, timeZone)
+        const event = (zenith, rising) => ZmanimCalculator.solarEvent(year, month, day, latitude, longitude, zenith, rising)
+        const offset = (base, minutes) => base ? new Date(base.getTime() + minutes * 60000) : null
+
+        const sunrise = event(ZmanimCalculator.ZENITH.sunrise, true)
+        const sunset = event(ZmanimCalculator.ZENITH.sunrise, false)
+
+        // GRA: the day runs sunrise to sunset. MGA: fixed 72 minutes before sunrise to 72 after sunset.
+        const gra = ZmanimCalculator.shaahZmanit(sunrise, sunset)
+        const mgaStart = offset(sunrise, -72)
+        const mga = ZmanimCalculator.shaahZmanit(mgaStart, offset(sunset, 72))
+        const hours = (start, length, count) => start && length ? new Date(start.getTime() + length * count) : null
+
+        return {
+            date: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+            times: {
+                alotHaShachar: event(ZmanimCalculator.ZENITH.alot, true),
+                sunrise,
+                sofZmanShmaMGA: hours(mgaStart, mga, 3),
+                sofZmanShma: hours(sunrise, gra, 3),
+                sofZmanTfillaMGA: hours(mgaStart, mga, 4),
+                sofZmanTfilla: hours(sunrise, gra, 4),
+                chatzot: hours(sunrise, gra, 6),
+                minchaGedola: hours(sunrise, gra, 6.5),
+                minchaKetana: hours(sunrise, gra, 9.5),
+                plagHaMincha: hours(sunrise, gra, 10.75),
+                candleLighting: offset(sunset, -candleLightingMinutes),
+                sunset,
+                tzeit7083deg: event(ZmanimCalculator.ZENITH.tzeit7083, false),
+                tzeit85deg: event(ZmanimCalculator.ZENITH.tzeit85, false),
+                tzeit72min: offset(sunset, 72),
+                havdalah: offset(sunset, havdalahMinutes)
+            }
+        }
+    }
+
+    /**
+     * Candle lighting (Friday) and Havdalah (Saturday) for the Shabbat of the week containing date.
+     * On Saturday that is the current Shabbat. Returns { friday, saturday, candleLighting, sunset, havdalah }
+     * where sunset is Friday's.
+     */
+    static shabbatTimes(date, latitude, longitude, timeZone = 'UTC', options = {}) {
+        const { year, month, day } = ZmanimCalculator.civilDate(date, timeZone)
+        const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+        const fridayUtc = new Date(Date.UTC(year, month - 1, day + (weekday === 6 ? -1 : 5 - weekday)))
+        const saturdayUtc = new Date(fridayUtc.getTime() + 24 * 60 * 60 * 1000)
+
+        // Noon UTC of each civil date, read back in UTC, is that same civil date
+        const friday = ZmanimCalculator.calculate(new Date(fridayUtc.getTime() + 12 * 3600000), latitude, longitude, 'UTC', options)
+        const saturday = ZmanimCalculator.calculate(new Date(saturdayUtc.getTime() + 12 * 3600000), latitude, longitude, 'UTC', options)
+        return {
+            friday: friday.date,
+            saturday: saturday.date,
+            candleLighting: friday.times.candleLighting,
+            sunset: friday.times.sunset,
+            havdalah: saturday.times.havdalah
+        }
+    }
+
+    static shaahZmanit(start, end) {
+        return start && end ? (end.getTime() - start.getTime()) / 12 : null
+    }
+
+    static civilDate(date, timeZone) {
+        // en-CA formats as YYYY-MM-DD
+        const [year, month, day] = new Date(date).toLocaleDateString('en-CA', { timeZone }).split('-').map(Number)
+        return { year, month, day }
+    }
+
+    /**
+     * Time the sun crosses the given zenith angle on a civil date, rising or setting.
+     * Starts from the event at solar noon and refines twice, since the sun's position
+     * moves slightly between noon and the event itself.
+     */
+    static solarEvent(year, month, day, latitude, longitude, zenith, rising) {
+        const midnightUtc = Date.UTC(year, month - 1, day)
+        let minutes = 720 - 4 * longitude // Solar noon in minutes after midnight UTC, first guess
+
+        for (let pass = 0; pass < 3; pass++) {
+            const julianDay = ZmanimCalculator.julianDay(midnightUtc + minutes * 60000)
+            const { declination, equationOfTime } = ZmanimCalculator.sunPosition(julianDay)
+            const hourAngle = ZmanimCalculator.hourAngle(latitude, declination, zenith)
+            if (hourAngle === null) return null
+
+            const noon = 720 - 4 * longitude - equationOfTime
+            minutes = rising ? noon - 4 * hourAngle : noon + 4 * hourAngle
+        }
+
+        return new Date(midnightUtc + Math.round(minutes * 60) * 1000)
+    }
+
+    static julianDay(timestamp) {
+        return timestamp / 86400000 + 2440587.5
+    }
+
+    // Declination (degrees) and equation of time (minutes), from the NOAA solar calculator
+    static sunPosition(julianDay) {
+        const rad = Math.PI / 180
+        const t = (julianDay - 2451545) / 36525
+
+        const meanLongitude = ((280.46646 + t * (36000.76983 + t * 0.0003032)) % 360 + 360) % 360
+        const meanAnomaly = 357.52911 + t * (35999.05029 - 0.0001537 * t)
+        const eccentricity = 0.016708634 - t * (0.000042037 + 0.0000001267 * t)
+        const center = Math.sin(meanAnomaly * rad) * (1.914602 - t * (0.004817 + 0.000014 * t)) +
+            Math.sin(2 * meanAnomaly * rad) * (0.019993 - 0.000101 * t) +
+            Math.sin(3 * meanAnomaly * rad) * 0.000289
+
+        const omega = 125.04 - 1934.136 * t
+        const apparentLongitude = meanLongitude + center - 0.00569 - 0.00478 * Math.sin(omega * rad)
+        const meanObliquity = 23 + (26 + (21.448 - t * (46.815 + t * (0.00059 - t * 0.001813))) / 60) / 60
+        const obliquity = meanObliquity + 0.00256 * Math.cos(omega * rad)
+
+        const declination = Math.asin(Math.sin(obliquity * rad) * Math.sin(apparentLongitude * rad)) / rad
+
+        const y = Math.pow(Math.tan(obliquity * rad / 2), 2)
+        const equationOfTime = 4 / rad * (
+            y * Math.sin(2 * meanLongitude * rad) -
+            2 * eccentricity * Math.sin(meanAnomaly * rad) +
+            4 * eccentricity * y * Math.sin(meanAnomaly * rad) * Math.cos(2 * meanLongitude * rad) -
+            0.5 * y * y * Math.sin(4 * meanLongitude * rad) -
+            1.25 * eccentricity * eccentricity * Math.sin(2 * meanAnomaly * rad)
+        )
+
+        return { declination, equationOfTime }
+    }
+
+    // Hour angle (degrees) of the sun at the given zenith, or null if it never gets there that day
+    static hourAngle(latitude, declination, zenith) {
+        const rad = Math.PI / 180
+        const cosHourAngle = (Math.cos(zenith * rad) - Math.sin(latitude * rad) * Math.sin(declination * rad)) /
+            (Math.cos(latitude * rad) * Math.cos(declination * rad))
+        if (cosHourAngle < -1 || cosHourAngle > 1) return null
+        return Math.acos(cosHourAngle) / rad
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZmanimCalculator
+}
@@ -8,6 +8,7 @@ import android.content.SharedPreferences
 import android.graphics.Bitmap
 import android.nfc.NfcAdapter
 import android.os.Bundle
+import android.os.Environment
 import android.os.PowerManager
 import android.provider.Settings
 import android.util.Log
@@ -32,11 +33,14 @@ import com.ohrshalom.kioskapp.databinding.ActivityMainBinding
 import com.ohrshalom.kioskapp.payment.StripePaymentManager
 import com.stripe.stripeterminal.Terminal
 import kotlinx.coroutines.Dispatchers
+import kotlinx.coroutines.Job
+import kotlinx.coroutines.isActive
 import kotlinx.coroutines.launch
 import kotlinx.coroutines.withContext
 import okhttp3.OkHttpClient
 import okhttp3.Request
 import java.io.File
+import org.json.JSONObject
 
 /**
  * Main Activity - Unified Kiosk Application
@@ -61,6 +65,8 @@ class MainActivity : AppCompatActivity() {
     private var nfcAdapter: NfcAdapter? = null
     private var wakeLock: PowerManager.WakeLock? = null
     private var isKioskModeEnabled = false
+    private var paymentJob: Job? = null // NFC payment in progress, cancelled by the kiosk watchdog or donor
+    private var lastAttemptKey: String? = null // Kiosk attempt most recently started, so a repeat is dropped
     
     private val httpClient = OkHttpClient()
     private val gson = Gson()
@@ -349,24 +355,65 @@ class MainActivity : AppCompatActivity() {
                 // Parse payment data
                 val paymentData = gson.fromJson(paymentDataJson, PaymentData::class.java)
                 
-                lifecycleScope.launch {
+                // Re-entry lock: one payment at a time, and never the same kiosk attempt twice
+                if (paymentJob?.isActive == true) {
+                    Log.w(TAG, "NFC payment already in progress - rejecting new request")
+                    return "error: payment already in progress"
+                }
+                if (paymentData.attemptKey != null && paymentData.attemptKey == lastAttemptKey) {
+                    Log.w(TAG, "Duplicate NFC payment request rejected: ${paymentData.attemptKey}")
+                    return "error: duplicate payment request"
+                }
+                lastAttemptKey = paymentData.attemptKey
+                
+                // Stripe Terminal's createPaymentIntent takes no idempotency key, so the attempt key is only a
+                // duplicate-request guard here; on the PaymentIntent metadata a double charge can be spotted in the dashboard
+                val metadata = paymentData.attemptKey?.let { key ->
+                    (paymentData.metadata ?: emptyMap()) + ("kiosk_attempt_key" to key)
+                } ?: paymentData.metadata
+                
+                // Every callback names its attempt so the kiosk can tell a late result from the current one
+                val attemptKey = paymentData.attemptKey?.let { JSONObject.quote(it) } ?: "null"
+                
+                paymentJob = lifecycleScope.launch {
                     try {
                         val success = paymentManager.processNfcPayment(
                             paymentData.amount,
                             paymentData.currency,
-                            paymentData.email
-                        )
+                            paymentData.email,
+                            metadata
+                        ) { state ->
+                            // Drive the kiosk's payment state machine as the reader progresses
+                            runOnUiThread {
+                                binding.webView.evaluateJavascript("window.kioskInstance.paymentStateChanged('$state', '', $attemptKey)", null)
+                            }
+                        }
                         
-                        // Notify WebView of payment result
+                        // Cancelled before authorizing (see cancelPayment), so no charge was made
+                        if (!isActive) {
+                            Log.d(TAG, "NFC payment cancelled - not reporting result")
+                            return@launch
+                        }
+                        
+                        // Notify WebView of payment result; the decline code lets the kiosk show a friendly reason
+                        val code = paymentManager.lastErrorCode?.let { JSONObject.quote(it) } ?: "null"
+                        val failed = !success && paymentManager.lastFailureWasError
+                        val message = when {
+                            success -> "Payment successful!"
+                            failed -> "Payment could not be completed"
+                            else -> "Payment was declined"
+                        }
                         runOnUiThread {
-                            val script = "window.kioskInstance.paymentCompleted($success, ${paymentData.amount}, '${if (success) "Payment successful!" else "Payment failed"}')"
+                            val script = "window.kioskInstance.paymentCompleted($success, ${paymentData.amount}, '$message', null, ${if (failed) "'failed'" else "null"}, $code, $attemptKey)"
                             binding.webView.evaluateJavascript(script, null)
                         }
                         
                     } catch (e: Exception) {
                         Log.e(TAG, "NFC payment error", e)
+                        if (!isActive) return@launch
                         runOnUiThread {
-                            val script = "window.kioskInstance.paymentCompleted(false, ${paymentData.amount}, 'Payment error: ${e.message}')"
+                            val message = JSONObject.quote("Payment error: ${e.message}")
+                            val script = "window.kioskInstance.paymentCompleted(false, ${paymentData.amount}, $message, null, 'failed', null, $attemptKey)"
                             binding.webView.evaluateJavascript(script, null)
                         }
                     }
@@ -379,6 +426,23 @@ class MainActivity : AppCompatActivity() {
             }
         }
         
+        @JavascriptInterface
+        fun cancelPayment(): String {
+            return try {
+                Log.d(TAG, "Cancelling NFC payment")
+                if (!paymentManager.cancelCurrentPayment()) {
+                    // Stripe is confirming the charge - the payment job keeps running and reports the outcome
+                    return "error: payment is already authorizing"
+                }
+                paymentJob?.cancel()
+                paymentJob = null
+                "cancelled"
+            } catch (e: Exception) {
+                Log.e(TAG, "Error cancelling NFC payment", e)
+                "error: ${e.message}"
+            }
+        }
+        
         @JavascriptInterface
         fun getConfig(): String {
             return try {
@@ -694,6 +758,29 @@ class MainActivity : AppCompatActivity() {
                 "{\"error\":\"${e.message}\"}"
             }
         }
+        
+        @JavascriptInterface
+        fun saveExportFile(fileName: String, mimeType: String, content: String): String {
+            return try {
+                Log.d(TAG, "Saving export file: $fileName ($mimeType, ${content.length} chars)")
+                
+                // Strip any path components so the web side can only write into the exports folder
+                val safeName = File(fileName).name
+                val exportDir = File(getExternalFilesDir(Environment.DIRECTORY_DOCUMENTS), "exports")
+                if (!exportDir.exists() && !exportDir.mkdirs()) {
+                    return "error: Could not create export folder"
+                }
+                
+                val exportFile = File(exportDir, safeName)
+                exportFile.writeText(content, Charsets.UTF_8)
+                
+                Log.d(TAG, "Export saved to: ${exportFile.absolutePath}")
+                exportFile.absolutePath
+            } catch (e: Exception) {
+                Log.e(TAG, "Error saving export file", e)
+                "error: ${e.message}"
+            }
+        }
     }
 
     
@@ -754,7 +841,9 @@ class MainActivity : AppCompatActivity() {
     data class PaymentData(
         val amount: Int, // Amount in cents
         val currency: String,
-        val email: String?
+        val email: String?,
+        val metadata: Map<String, String>? = null, // e.g. fund_id / fund_name designation
+        val attemptKey: String? = null // One per kiosk payment attempt
     )
     
     data class StripeConfig(
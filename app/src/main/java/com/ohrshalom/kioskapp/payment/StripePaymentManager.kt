@@ -28,6 +28,7 @@ import com.stripe.stripeterminal.external.models.Reader
 import com.stripe.stripeterminal.external.models.ReaderSupportResult
 import com.stripe.stripeterminal.external.models.TerminalException
 
+import kotlinx.coroutines.CancellationException
 import kotlinx.coroutines.suspendCancellableCoroutine
 import kotlin.coroutines.resume
 import kotlin.coroutines.resumeWithException
@@ -56,6 +57,19 @@ class StripePaymentManager(private val context: Context) {
     
     private var currentPaymentIntent: PaymentIntent? = null
     private var currentCancelable: Cancelable? = null
+    
+    // Decline or Terminal error code of the last unsuccessful processNfcPayment, shown to donors as a friendly message
+    var lastErrorCode: String? = null
+        private set
+    
+    // True when the last unsuccessful payment was a reader, network or SDK error rather than an issuer decline
+    var lastFailureWasError = false
+        private set
+    
+    // True while Stripe confirms the charge - from then on the payment can only be waited for, not cancelled
+    @Volatile
+    var isAuthorizing = false
+        private set
     private var connectedTapToPayReader: Reader? = null
     private var discoverCancelable: Cancelable? = null
     
@@ -333,14 +347,24 @@ class StripePaymentManager(private val context: Context) {
      * @param amountCents Amount in cents
      * @param currency Currency code (e.g., "usd")
      * @param email Optional email for receipt
+     * @param metadata Optional key/value pairs stored on the PaymentIntent (e.g. fund designation)
+     * @param onStateChange Progress callback: "awaiting_card", "card_read", "authorizing"
      * @return true if payment successful, false otherwise
      */
-    suspend fun processNfcPayment(amountCents: Int, currency: String, email: String?): Boolean {
+    suspend fun processNfcPayment(
+        amountCents: Int,
+        currency: String,
+        email: String?,
+        metadata: Map<String, String>? = null,
+        onStateChange: (String) -> Unit = {}
+    ): Boolean {
+        lastErrorCode = null
+        lastFailureWasError = false
         return try {
-            Log.d(TAG, "Processing NFC payment: $amountCents cents")
+            Log.d(TAG, "Processing NFC payment: $amountCents cents, metadata: $metadata")
             
             // Create payment intent
-            val paymentIntent = createPaymentIntent(amountCents, currency, email)
+            val paymentIntent = createPaymentIntent(amountCents, currency, email, metadata)
             
             // Use real Stripe Terminal API for NFC payment processing
             try {
@@ -349,10 +373,18 @@ class StripePaymentManager(private val context: Context) {
                 ensureReaderConnected()
                 
                 Log.d(TAG, "Collecting payment method with NFC reader...")
+                onStateChange("awaiting_card")
                 val collectedPaymentIntent = collectPaymentMethod(paymentIntent)
+                onStateChange("card_read")
                 
                 Log.d(TAG, "Confirming NFC payment intent...")
-                val processedPaymentIntent = confirmPaymentIntent(collectedPaymentIntent)
+                onStateChange("authorizing")
+                isAuthorizing = true
+                val processedPaymentIntent = try {
+                    confirmPaymentIntent(collectedPaymentIntent)
+                } finally {
+                    isAuthorizing = false
+                }
                 
                 val success = processedPaymentIntent.status.toString().contains("succeeded", ignoreCase = true)
                 
@@ -364,30 +396,46 @@ class StripePaymentManager(private val context: Context) {
                 }
                 
                 success
+            } catch (e: CancellationException) {
+                // Donor cancel or kiosk watchdog - the caller drops the result of a cancelled job
+                throw e
             } catch (e: TerminalException) {
                 Log.e(TAG, "Stripe Terminal error: ${e.errorMessage}", e)
-                // Fall back to simulation if Terminal API fails
-                Log.w(TAG, "Falling back to payment simulation due to Terminal error")
-                simulateNfcPayment(paymentIntent)
-            } catch (e: Exception) {
-                Log.e(TAG, "Unexpected error during payment confirmation", e)
-                // Fall back to simulation for any other error
-                Log.w(TAG, "Falling back to payment simulation due to unexpected error")
-                simulateNfcPayment(paymentIntent)
+                lastErrorCode = e.apiError?.declineCode ?: e.errorCode.name
+                
+                if (e.errorCode == TerminalException.TerminalErrorCode.DECLINED_BY_STRIPE_API || e.apiError?.declineCode != null) {
+                    Log.w(TAG, "NFC payment declined: $lastErrorCode")
+                    return false
+                }
+                
+                // Cancelling collectPaymentMethod fails it with CANCELED - the attempt is over, not broken
+                if (e.errorCode == TerminalException.TerminalErrorCode.CANCELED) {
+                    Log.d(TAG, "NFC payment cancelled")
+                    return false
+                }
+                
+                // Reader, network or SDK trouble is reported as a failure with its code, never as a success
+                lastFailureWasError = true
+                false
             }
+        } catch (e: CancellationException) {
+            throw e
         } catch (e: Exception) {
             Log.e(TAG, "Error processing NFC payment", e)
+            lastErrorCode = (e as? TerminalException)?.errorCode?.name ?: "payment_error"
+            lastFailureWasError = true
             false
         }
     }
     
-    private suspend fun createPaymentIntent(amountCents: Int, currency: String, email: String?): PaymentIntent {
+    private suspend fun createPaymentIntent(amountCents: Int, currency: String, email: String?, metadata: Map<String, String>? = null): PaymentIntent {
         return suspendCancellableCoroutine { continuation ->
             val params = PaymentIntentParameters.Builder()
                 .setAmount(amountCents.toLong())
                 .setCurrency(currency)
                 .apply {
                     email?.let { setReceiptEmail(it) }
+                    metadata?.takeIf { it.isNotEmpty() }?.let { setMetadata(it) }
                     // Note: PaymentMethodTypes are automatically set for Terminal payments
                 }
                 .build()
@@ -407,38 +455,17 @@ class StripePaymentManager(private val context: Context) {
         }
     }
     
-    private suspend fun simulateNfcPayment(paymentIntent: PaymentIntent): Boolean {
-        return suspendCancellableCoroutine { continuation ->
-            // Simulate NFC payment processing
-            // In production, this would use Terminal.getInstance().collectPaymentMethod()
-            // and Terminal.getInstance().confirmPaymentIntent()
-            
-            Log.d(TAG, "Simulating NFC payment processing...")
-            
-            // Simulate processing delay
-            android.os.Handler(android.os.Looper.getMainLooper()).postDelayed({
-                // Simulate 95% success rate for demo
-                val success = Math.random() > 0.05
-                
-                if (success) {
-                    Log.d(TAG, "Simulated NFC payment successful")
-                    continuation.resume(true)
-                } else {
-                    Log.d(TAG, "Simulated NFC payment failed")
-                    continuation.resume(false)
-                }
-            }, 3000) // 3 second simulation delay
-            
-            continuation.invokeOnCancellation {
-                Log.d(TAG, "NFC payment simulation cancelled")
-            }
-        }
-    }
-    
     /**
      * Cancel current payment if in progress
+     * 
+     * @return false when the charge is already being confirmed - its result has to be waited for
      */
-    fun cancelCurrentPayment() {
+    fun cancelCurrentPayment(): Boolean {
+        if (isAuthorizing) {
+            Log.w(TAG, "Payment is already authorizing - not cancelling")
+            return false
+        }
+        
         try {
             currentCancelable?.cancel(object : Callback {
                 override fun onSuccess() {
@@ -454,6 +481,7 @@ class StripePaymentManager(private val context: Context) {
         } catch (e: Exception) {
             Log.e(TAG, "Error cancelling payment", e)
         }
+        return true
     }
     
     /**
@@ -810,8 +838,10 @@ class StripePaymentManager(private val context: Context) {
         try {
             Log.d(TAG, "Starting collectPaymentMethod for PaymentIntent: ${paymentIntent.id}")
             
-            Terminal.getInstance().collectPaymentMethod(paymentIntent, object : PaymentIntentCallback {
+            // Keep the Cancelable so cancelCurrentPayment() can stop a card read in progress
+            currentCancelable = Terminal.getInstance().collectPaymentMethod(paymentIntent, object : PaymentIntentCallback {
                 override fun onSuccess(paymentIntent: PaymentIntent) {
+                    currentCancelable = null
                     Log.d(TAG, "collectPaymentMethod successful - PaymentIntent: ${paymentIntent.id}")
                     Log.d(TAG, "Payment method: ${paymentIntent.paymentMethod?.type}")
                     continuation.resume(paymentIntent)
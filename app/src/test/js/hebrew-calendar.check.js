@@ -0,0 +1,61 @@
+// Ohr Shalom Donation Kiosk - HebrewCalendar checks against published Jewish calendars
+// Run with: node app/src/test/js/hebrew-calendar.check.js
+const assert = require('node:assert/strict')
+const HebrewCalendar = require('../../main/assets/www/hebrew-calendar.js')
+
+const { TISHREI, NISAN, ADAR, ADAR_II } = HebrewCalendar
+const weekdayOf = ({ year, month, day }) => new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+
+// Rosh Hashana, with the year's length and whether it is a leap year
+const YEARS = [
+    { year: 5784, roshHashana: { year: 2023, month: 9, day: 16 }, days: 383, leap: true },
+    { year: 5785, roshHashana: { year: 2024, month: 10, day: 3 }, days: 355, leap: false },
+    { year: 5786, roshHashana: { year: 2025, month: 9, day: 23 }, days: 354, leap: false },
+    { year: 5787, roshHashana: { year: 2026, month: 9, day: 12 }, days: 385, leap: true }
+]
+
+for (const { year, roshHashana, days, leap } of YEARS) {
+    assert.deepEqual(HebrewCalendar.toGregorian(year, TISHREI, 1), roshHashana, `Rosh Hashana ${year}`)
+    assert.equal(HebrewCalendar.daysInYear(year), days, `length of ${year}`)
+    assert.equal(HebrewCalendar.isLeapYear(year), leap, `${year} leap year`)
+    assert.equal(HebrewCalendar.monthsInYear(year), leap ? 13 : 12)
+}
+
+// Years 3, 6, 8, 11, 14, 17 and 19 of the 19-year cycle are leap years
+const leapYears = []
+for (let year = 5777; year <= 5795; year++) {
+    if (HebrewCalendar.isLeapYear(year)) leapYears.push(year % 19 || 19)
+}
+assert.deepEqual(leapYears, [3, 6, 8, 11, 14, 17, 19])
+
+// Postponements: molad Tishrei 5786 is Monday after noon (molad zaken), so Rosh Hashana is Tuesday
+assert.deepEqual(HebrewCalendar.molad(5786, TISHREI), { dayOfWeek: 1, hours: 12, minutes: 10, chalakim: 7 })
+assert.equal(weekdayOf(HebrewCalendar.toGregorian(5786, TISHREI, 1)), 2)
+
+// Lo AD"U Rosh: over any span of years, Rosh Hashana never falls on Sunday, Wednesday or Friday,
+// and every year comes out as one of the six allowed lengths
+for (let year = 5700; year <= 5900; year++) {
+    const weekday = weekdayOf(HebrewCalendar.toGregorian(year, TISHREI, 1))
+    assert.ok(![0, 3, 5].includes(weekday), `Rosh Hashana ${year} falls on weekday ${weekday}`)
+    const allowed = HebrewCalendar.isLeapYear(year) ? [383, 384, 385] : [353, 354, 355]
+    assert.ok(allowed.includes(HebrewCalendar.daysInYear(year)), `length of ${year}`)
+}
+
+// Adar in a leap year is Adar I (30 days) followed by Adar II; Purim is in Adar II
+assert.equal(HebrewCalendar.daysInMonth(5784, ADAR), 30)
+assert.equal(HebrewCalendar.daysInMonth(5785, ADAR), 29)
+assert.deepEqual(HebrewCalendar.monthsInOrder(5784), [7, 8, 9, 10, 11, 12, 13, 1, 2, 3, 4, 5, 6])
+assert.deepEqual(HebrewCalendar.toGregorian(5784, ADAR_II, 1), { year: 2024, month: 3, day: 11 })
+
+const purim5784 = HebrewCalendar.fromGregorian(2024, 3, 24)
+assert.equal(purim5784.transliterated, '14 Adar II 5784')
+assert.equal(purim5784.hebrew, 'י״ד אדר ב׳ תשפ״ד')
+assert.equal(HebrewCalendar.fromGregorian(2024, 2, 24).monthName, 'Adar I')
+assert.equal(HebrewCalendar.fromGregorian(2025, 3, 14).transliterated, '14 Adar 5785')
+
+// Pesach, and the day turning over at sunset
+assert.deepEqual(HebrewCalendar.toGregorian(5785, NISAN, 15), { year: 2025, month: 4, day: 13 })
+assert.equal(HebrewCalendar.fromGregorian(2024, 10, 2).hebrew, 'כ״ט אלול תשפ״ד')
+assert.equal(HebrewCalendar.fromGregorian(2024, 10, 2, { afterSunset: true }).transliterated, '1 Tishrei 5785')
+
+console.log('hebrew-calendar: leap years, Adar II and Rosh Hashana postponements OK')
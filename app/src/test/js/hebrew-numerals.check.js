@@ -0,0 +1,38 @@
+// Ohr Shalom Donation Kiosk - HebrewNumerals checks for gematria spelling and amount captions
+// Run with: node app/src/test/js/hebrew-numerals.check.js
+const assert = require('node:assert/strict')
+const HebrewNumerals = require('../../main/assets/www/hebrew-numerals.js')
+
+const SPELLINGS = [
+    [1, 'א׳'],
+    [18, 'י״ח'],
+    [15, 'ט״ו'],
+    [16, 'ט״ז'],
+    [270, 'ע״ר'],
+    [613, 'תרי״ג'],
+    [900, 'תת״ק'],
+    [1000, 'א׳ אלפים'],
+    [2000, 'ב׳ אלפים'],
+    [1018, 'א׳י״ח'],
+    [5785, 'ה׳תשפ״ה']
+]
+
+for (const [number, hebrew] of SPELLINGS) {
+    assert.equal(HebrewNumerals.toHebrew(number), hebrew, `toHebrew(${number})`)
+}
+assert.equal(HebrewNumerals.toHebrew(2000, { punctuation: false }), 'ב אלפים')
+assert.equal(HebrewNumerals.toHebrew(5785, { punctuation: false }), 'התשפה')
+
+for (const value of [0, -18, 18.5, 1000000]) {
+    assert.equal(HebrewNumerals.toHebrew(value), '', `toHebrew(${value})`)
+}
+
+// Preset amounts: whole thousands must not share a caption with single digits
+assert.notEqual(HebrewNumerals.describeAmount(1000).hebrew, HebrewNumerals.describeAmount(1).hebrew)
+assert.equal(HebrewNumerals.describeAmount(1000).text, 'א׳ אלפים')
+assert.equal(HebrewNumerals.describeAmount(2000).text, 'ב׳ אלפים')
+assert.equal(HebrewNumerals.describeAmount(36).text, 'ל״ו · Double Chai')
+assert.equal(HebrewNumerals.describeAmount(613).text, 'תרי״ג · Taryag Mitzvot')
+assert.equal(HebrewNumerals.describeAmount(1800).text, 'א׳ת״ת · 100× Chai')
+
+console.log(`hebrew-numerals: ${SPELLINGS.length} spellings and amount captions OK`)
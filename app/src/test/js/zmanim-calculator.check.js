@@ -0,0 +1,55 @@
+// Ohr Shalom Donation Kiosk - ZmanimCalculator checks against published sunrise/sunset tables
+// Run with: node app/src/test/js/zmanim-calculator.check.js
+const assert = require('node:assert/strict')
+const ZmanimCalculator = require('../../main/assets/www/zmanim-calculator.js')
+
+// Local clock times from the NOAA Solar Calculator, to the minute
+const TABLE = [
+    { place: 'New York', latitude: 40.7128, longitude: -74.006, timeZone: 'America/New_York', date: '2025-06-21', sunrise: '05:25', sunset: '20:30' },
+    { place: 'New York', latitude: 40.7128, longitude: -74.006, timeZone: 'America/New_York', date: '2025-12-21', sunrise: '07:16', sunset: '16:31' },
+    { place: 'Davenport, FL', latitude: 28.1614, longitude: -81.6018, timeZone: 'America/New_York', date: '2025-01-15', sunrise: '07:19', sunset: '17:52' },
+    { place: 'Jerusalem', latitude: 31.7683, longitude: 35.2137, timeZone: 'Asia/Jerusalem', date: '2025-12-21', sunrise: '06:35', sunset: '16:39' },
+    { place: 'London', latitude: 51.5074, longitude: -0.1278, timeZone: 'Europe/London', date: '2025-03-20', sunrise: '06:02', sunset: '18:13' }
+]
+
+function minutesOfDay(date, timeZone) {
+    const [hours, minutes] = date.toLocaleTimeString('en-GB', { timeZone, hour: '2-digit', minute: '2-digit' }).split(':').map(Number)
+    return hours * 60 + minutes
+}
+
+function parseClock(clock) {
+    const [hours, minutes] = clock.split(':').map(Number)
+    return hours * 60 + minutes
+}
+
+// Midday in UTC is the same civil date in every zone in the table
+const middayOf = date => new Date(`${date}T12:00:00Z`)
+
+for (const row of TABLE) {
+    const { date, times } = ZmanimCalculator.calculate(middayOf(row.date), row.latitude, row.longitude, row.timeZone)
+    assert.equal(date, row.date)
+    for (const key of ['sunrise', 'sunset']) {
+        assert.ok(times[key], `${row.place} ${row.date}: no ${key}`)
+        // Tables round to the minute, so allow one minute either way
+        const difference = Math.abs(minutesOfDay(times[key], row.timeZone) - parseClock(row[key]))
+        assert.ok(difference <= 1, `${row.place} ${row.date}: ${key} off by ${difference} minutes`)
+    }
+    // Chatzot is halfway between sunrise and sunset
+    assert.equal(times.chatzot.getTime(), (times.sunrise.getTime() + times.sunset.getTime()) / 2)
+}
+
+// Tromsø: midnight sun in June, polar night in December - no sunrise or sunset either way
+for (const date of ['2025-06-21', '2025-12-21']) {
+    const { times } = ZmanimCalculator.calculate(middayOf(date), 69.6492, 18.9553, 'Europe/Oslo')
+    assert.equal(times.sunrise, null, `Tromsø ${date}: sunrise`)
+    assert.equal(times.sunset, null, `Tromsø ${date}: sunset`)
+    assert.equal(times.sofZmanShma, null, `Tromsø ${date}: sofZmanShma`)
+    assert.equal(times.candleLighting, null, `Tromsø ${date}: candleLighting`)
+}
+
+// London at midsummer: the sun rises, but never gets 16.1 degrees below the horizon for alot
+const london = ZmanimCalculator.calculate(middayOf('2025-06-21'), 51.5074, -0.1278, 'Europe/London').times
+assert.ok(london.sunrise)
+assert.equal(london.alotHaShachar, null)
+
+console.log(`zmanim-calculator: ${TABLE.length} table rows and polar days OK`)